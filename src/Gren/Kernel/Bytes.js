@@ -63,6 +63,55 @@ function _Bytes_flatten(arrayOfBytes) {
   return new DataView(result.buffer);
 }
 
+// BASE64
+
+function _Bytes_toBase64(bytes) {
+  var binary = "";
+  for (var i = 0; i < bytes.byteLength; i++) {
+    binary += String.fromCharCode(bytes.getUint8(i));
+  }
+
+  return btoa(binary);
+}
+
+function _Bytes_toBase64Url(bytes) {
+  return _Bytes_toBase64(bytes)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function _Bytes_fromBase64(str) {
+  if (str.length % 4 !== 0 || !/^[A-Za-z0-9+/]*={0,2}$/.test(str)) {
+    return __Maybe_Nothing;
+  }
+
+  return _Bytes_decodeBase64(str);
+}
+
+function _Bytes_fromBase64Url(str) {
+  if (str.length % 4 === 1 || !/^[A-Za-z0-9_-]*$/.test(str)) {
+    return __Maybe_Nothing;
+  }
+
+  return _Bytes_decodeBase64(str.replace(/-/g, "+").replace(/_/g, "/"));
+}
+
+function _Bytes_decodeBase64(base64) {
+  try {
+    var binary = atob(base64);
+  } catch (e) {
+    return __Maybe_Nothing;
+  }
+
+  var bytes = new Uint8Array(binary.length);
+  for (var i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return __Maybe_Just(new DataView(bytes.buffer));
+}
+
 // ENCODERS
 
 function _Bytes_encode(encoder) {
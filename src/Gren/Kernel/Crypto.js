@@ -2,8 +2,10 @@
 
 import Gren.Kernel.Scheduler exposing (binding, succeed, fail)
 import Gren.Kernel.Bytes exposing (writeBytes)
-import Crypto exposing (RsaSsaPkcs1V1_5SigningError, RsaPssSigningError, AesCtrEncryptionError, RsaOaepEncryptionError, RsaOaepDecryptionError, P256, P384, P521, AesLength128, AesLength192, AesLength256, CanBeExtracted, CannotBeExtracted, HmacKey, Sha256, Sha384, Sha512, SignWithRsaPssError, AesGcmDecryptionError, AesGcmEncryptionError, AesCbcDecryptionError, AesCbcEncryptionError, AesCtrDecryptionError, DecryptWithRsaOaepError, ImportRsaKeyError, ImportHmacKeyError, ImportEcKeyError, ImportAesKeyError, Key, SecureContext, PublicKey, PrivateKey, KeyNotExportable)
+import Crypto exposing (RsaSsaPkcs1V1_5SigningError, RsaPssSigningError, AesCtrEncryptionError, RsaOaepEncryptionError, RsaOaepDecryptionError, P256, P384, P521, AesLength128, AesLength192, AesLength256, CanBeExtracted, CannotBeExtracted, HmacKey, Sha256, Sha384, Sha512, SignWithRsaPssError, AesGcmDecryptionError, AesGcmEncryptionError, AesCbcDecryptionError, AesCbcEncryptionError, AesCtrDecryptionError, DecryptWithRsaOaepError, ImportRsaKeyError, ImportHmacKeyError, ImportEcKeyError, ImportAesKeyError, ImportEd25519KeyError, ImportX25519KeyError, Pbkdf2IterationsTooLow, Pbkdf2LengthNotDivisibleByEight, Pbkdf2DerivationError, HkdfLengthNotDivisibleByEight, HkdfLengthTooLong, HkdfDerivationError, WrapKeyNotExportable, WrapKeyError, UnwrapKeyError, Key, SecureContext, PublicKey, PrivateKey, KeyNotExportable, IncrementalHashingNotSupported)
+import Gren.Kernel.Stream exposing (cancellationErrorString)
 import Maybe exposing (Just, Nothing)
+import Stream exposing (Cancelled)
 import Bytes exposing (Bytes)
 
 */
@@ -74,10 +76,13 @@ var _Crypto_constructAesKey = function (key) {
   switch (key.algorithm.length) {
     case 128:
       aesKeyData.__$length = __Crypto_AesLength128;
+      break;
     case 192:
       aesKeyData.__$length = __Crypto_AesLength192;
+      break;
     case 256:
       aesKeyData.__$length = __Crypto_AesLength256;
+      break;
   }
   return __Crypto_Key({
     __$key: key,
@@ -92,10 +97,13 @@ var _Crypto_constructEcKey = function (key) {
   switch (key.algorithm.namedCurve) {
     case "P-256":
       ecKeyData.__$namedCurve = __Crypto_P256;
+      break;
     case "P-384":
       ecKeyData.__$namedCurve = __Crypto_P384;
+      break;
     case "P-521":
       ecKeyData.__$namedCurve = __Crypto_P521;
+      break;
   }
   return __Crypto_Key({
     __$key: key,
@@ -103,6 +111,49 @@ var _Crypto_constructEcKey = function (key) {
   });
 };
 
+var _Crypto_constructOkpKey = function (key) {
+  var okpKeyData = {
+    __$extractable: _Crypto_extractableFromBool(key.extractable),
+  };
+  return __Crypto_Key({
+    __$key: key,
+    __$data: okpKeyData,
+  });
+};
+
+var _Crypto_constructDerivedKey = function (key) {
+  if (key.algorithm.name === "HMAC") {
+    return _Crypto_constructHmacKey(key);
+  }
+  return _Crypto_constructAesKey(key);
+};
+
+var _Crypto_constructUnwrappedKey = function (key) {
+  var constructedKey;
+  switch (key.algorithm.name) {
+    case "RSA-OAEP":
+    case "RSA-PSS":
+    case "RSASSA-PKCS1-v1_5":
+      constructedKey = _Crypto_constructRsaKey(key);
+      break;
+    case "ECDSA":
+    case "ECDH":
+      constructedKey = _Crypto_constructEcKey(key);
+      break;
+    case "Ed25519":
+    case "X25519":
+      constructedKey = _Crypto_constructOkpKey(key);
+      break;
+    default:
+      constructedKey = _Crypto_constructDerivedKey(key);
+      break;
+  }
+  if (key.type === "private") {
+    return __Crypto_PrivateKey(constructedKey);
+  }
+  return constructedKey;
+};
+
 // Random
 
 var _Crypto_randomUUID = __Scheduler_binding(function (callback) {
@@ -141,6 +192,32 @@ var _Crypto_getRandomValues = F2(function (arrayLength, valueType) {
   });
 });
 
+// getRandomValues fills at most 65536 bytes per call
+var _Crypto_randomBytes = function (length) {
+  return __Scheduler_binding(function (callback) {
+    var bytes = new Uint8Array(length);
+    for (var offset = 0; offset < length; offset += 65536) {
+      _Crypto_impl.getRandomValues(bytes.subarray(offset, offset + 65536));
+    }
+    return callback(__Scheduler_succeed(new DataView(bytes.buffer)));
+  });
+};
+
+// Compare
+
+var _Crypto_constantTimeEqual = F2(function (a, b) {
+  if (a.byteLength !== b.byteLength) {
+    return false;
+  }
+
+  var difference = 0;
+  for (var i = 0; i < a.byteLength; i++) {
+    difference |= a.getUint8(i) ^ b.getUint8(i);
+  }
+
+  return difference === 0;
+});
+
 // Context
 
 var _Crypto_getContext = __Scheduler_binding(function (callback) {
@@ -236,6 +313,31 @@ var _Crypto_generateEcKey = F4(
   },
 );
 
+var _Crypto_generateOkpKey = F3(function (name, extractable, permissions) {
+  return __Scheduler_binding(function (callback) {
+    var algorithm = {
+      name: name,
+    };
+    _Crypto_impl.subtle
+      .generateKey(algorithm, extractable, permissions)
+      .then(function (key) {
+        return callback(
+          __Scheduler_succeed({
+            __$publicKey: __Crypto_PublicKey(
+              _Crypto_constructOkpKey(key.publicKey),
+            ),
+            __$privateKey: __Crypto_PrivateKey(
+              _Crypto_constructOkpKey(key.privateKey),
+            ),
+          }),
+        );
+      })
+      .catch(function (err) {
+        throw "There was an unforseen error that occured when attempting to generate an Ed25519 or X25519 key. This shouldn't happen! Please file a ticket in the `gren-lang/core` Github repo (https://github.com/gren-lang/core)";
+      });
+  });
+});
+
 var _Crypto_generateHmacKey = F5(
   function (name, hash, length, extractable, permissions) {
     return __Scheduler_binding(function (callback) {
@@ -385,6 +487,49 @@ var _Crypto_importEcKey = F7(
   },
 );
 
+var _Crypto_importOkpKeyError = function (algorithm) {
+  switch (algorithm) {
+    case "Ed25519":
+      return __Crypto_ImportEd25519KeyError;
+    case "X25519":
+      return __Crypto_ImportX25519KeyError;
+  }
+};
+
+var _Crypto_importOkpKey = F6(
+  function (wrapper, format, keyData, algorithm, extractable, keyUsages) {
+    return __Scheduler_binding(function (callback) {
+      _Crypto_impl.subtle
+        .importKey(format, keyData, { name: algorithm }, extractable, keyUsages)
+        .then(function (key) {
+          switch (wrapper) {
+            case "public":
+              return callback(
+                __Scheduler_succeed(
+                  __Crypto_PublicKey(_Crypto_constructOkpKey(key)),
+                ),
+              );
+            case "private":
+              return callback(
+                __Scheduler_succeed(
+                  __Crypto_PrivateKey(_Crypto_constructOkpKey(key)),
+                ),
+              );
+            default:
+              return callback(
+                __Scheduler_fail(_Crypto_importOkpKeyError(algorithm)),
+              );
+          }
+        })
+        .catch(function (err) {
+          return callback(
+            __Scheduler_fail(_Crypto_importOkpKeyError(algorithm)),
+          );
+        });
+    });
+  },
+);
+
 var _Crypto_importHmacKey = F7(
   function (
     format,
@@ -421,6 +566,243 @@ var _Crypto_importHmacKey = F7(
   },
 );
 
+// Derive keys
+
+var _Crypto_pbkdf2Algorithm = F3(function (hash, salt, iterations) {
+  return {
+    name: "PBKDF2",
+    hash: hash,
+    salt: salt,
+    iterations: iterations,
+  };
+});
+
+var _Crypto_hkdfAlgorithm = F3(function (hash, salt, info) {
+  return {
+    name: "HKDF",
+    hash: hash,
+    salt: salt,
+    info: info,
+  };
+});
+
+var _Crypto_keyAgreementAlgorithm = F2(function (name, publicKey) {
+  return {
+    name: name,
+    public: publicKey,
+  };
+});
+
+var _Crypto_importDerivationKey = F3(function (algorithm, keyData, error) {
+  return __Scheduler_binding(function (callback) {
+    _Crypto_impl.subtle
+      .importKey("raw", keyData, { name: algorithm }, false, [
+        "deriveBits",
+        "deriveKey",
+      ])
+      .then(function (key) {
+        return callback(__Scheduler_succeed(key));
+      })
+      .catch(function (err) {
+        return callback(__Scheduler_fail(error));
+      });
+  });
+});
+
+var _Crypto_deriveBits = F4(function (algorithm, baseKey, length, error) {
+  return __Scheduler_binding(function (callback) {
+    _Crypto_impl.subtle
+      .deriveBits(algorithm, baseKey, length == "" ? null : length)
+      .then(function (res) {
+        return callback(__Scheduler_succeed(new DataView(res)));
+      })
+      .catch(function (err) {
+        return callback(__Scheduler_fail(error));
+      });
+  });
+});
+
+var _Crypto_deriveKey = F8(
+  function (
+    algorithm,
+    baseKey,
+    derivedName,
+    derivedHash,
+    derivedLength,
+    extractable,
+    keyUsages,
+    error,
+  ) {
+    return __Scheduler_binding(function (callback) {
+      var derivedKeyAlgorithm = {
+        name: derivedName,
+      };
+      if (derivedHash != "") {
+        derivedKeyAlgorithm.hash = derivedHash;
+      }
+      if (derivedLength != "") {
+        derivedKeyAlgorithm.length = derivedLength;
+      }
+      _Crypto_impl.subtle
+        .deriveKey(
+          algorithm,
+          baseKey,
+          derivedKeyAlgorithm,
+          extractable,
+          keyUsages,
+        )
+        .then(function (key) {
+          return callback(
+            __Scheduler_succeed(_Crypto_constructDerivedKey(key)),
+          );
+        })
+        .catch(function (err) {
+          return callback(__Scheduler_fail(error));
+        });
+    });
+  },
+);
+
+// Wrap keys
+
+var _Crypto_aesKwWrapper = function (key) {
+  return {
+    algorithm: { name: "AES-KW" },
+    key: key,
+  };
+};
+
+var _Crypto_aesGcmWrapper = F4(function (iv, additionalData, tagLength, key) {
+  var algorithm = {
+    name: "AES-GCM",
+    iv: iv,
+  };
+  if (additionalData != "") {
+    algorithm.additionalData = additionalData;
+  }
+  if (tagLength != "") {
+    algorithm.tagLength = tagLength;
+  }
+  return {
+    algorithm: algorithm,
+    key: key,
+  };
+});
+
+var _Crypto_rsaOaepWrapper = F2(function (label, key) {
+  var algorithm = {
+    name: "RSA-OAEP",
+  };
+  if (label != "") {
+    algorithm.label = label;
+  }
+  return {
+    algorithm: algorithm,
+    key: key,
+  };
+});
+
+// AES-GCM and RSA-OAEP keys are only given the "encrypt" and "decrypt" usages, so
+// those are wrapped by exporting and encrypting, which is what wrapKey does internally.
+var _Crypto_wrapKey = F3(function (format, wrapper, key) {
+  return __Scheduler_binding(function (callback) {
+    if (!key.extractable) {
+      return callback(__Scheduler_fail(__Crypto_WrapKeyNotExportable));
+    }
+    var wrappedKey;
+    if (wrapper.algorithm.name === "AES-KW") {
+      wrappedKey = _Crypto_impl.subtle.wrapKey(
+        format,
+        key,
+        wrapper.key,
+        wrapper.algorithm,
+      );
+    } else {
+      wrappedKey = _Crypto_impl.subtle
+        .exportKey(format, key)
+        .then(function (keyData) {
+          return _Crypto_impl.subtle.encrypt(
+            wrapper.algorithm,
+            wrapper.key,
+            keyData,
+          );
+        });
+    }
+    wrappedKey
+      .then(function (res) {
+        return callback(__Scheduler_succeed(new DataView(res)));
+      })
+      .catch(function (err) {
+        return callback(__Scheduler_fail(__Crypto_WrapKeyError));
+      });
+  });
+});
+
+var _Crypto_unwrapKey = F8(
+  function (
+    format,
+    wrapper,
+    name,
+    hash,
+    namedCurve,
+    extractable,
+    keyUsages,
+    wrappedKey,
+  ) {
+    return __Scheduler_binding(function (callback) {
+      var algorithm = {
+        name: name,
+      };
+      if (hash != "") {
+        algorithm.hash = hash;
+      }
+      if (namedCurve != "") {
+        algorithm.namedCurve = namedCurve;
+      }
+      // Passing a DataView for the wrapped key does not work with AES-GCM on node,
+      // so it's turned into a Uint8Array like in _Crypto_decryptWithAesGcm
+      var wrappedKeyBytes = new Uint8Array(
+        wrappedKey.buffer,
+        wrappedKey.byteOffset,
+        wrappedKey.byteLength,
+      );
+      var unwrappedKey;
+      if (wrapper.algorithm.name === "AES-KW") {
+        unwrappedKey = _Crypto_impl.subtle.unwrapKey(
+          format,
+          wrappedKeyBytes,
+          wrapper.key,
+          wrapper.algorithm,
+          algorithm,
+          extractable,
+          keyUsages,
+        );
+      } else {
+        unwrappedKey = _Crypto_impl.subtle
+          .decrypt(wrapper.algorithm, wrapper.key, wrappedKeyBytes)
+          .then(function (keyData) {
+            return _Crypto_impl.subtle.importKey(
+              format,
+              keyData,
+              algorithm,
+              extractable,
+              keyUsages,
+            );
+          });
+      }
+      unwrappedKey
+        .then(function (key) {
+          return callback(
+            __Scheduler_succeed(_Crypto_constructUnwrappedKey(key)),
+          );
+        })
+        .catch(function (err) {
+          return callback(__Scheduler_fail(__Crypto_UnwrapKeyError));
+        });
+    });
+  },
+);
+
 // Encryption
 
 var _Crypto_encryptWithRsaOaep = F3(function (label, key, bytes) {
@@ -599,6 +981,160 @@ var _Crypto_decryptWithAesGcm = F5(
   },
 );
 
+// Streaming AES-GCM
+//
+// Bytes are encrypted in chunks of 64 KiB using the STREAM construction. An encrypted
+// stream starts with a random 7 byte nonce prefix, followed by the encrypted chunks, each
+// ending in a 16 byte tag. The nonce of a chunk is the nonce prefix, followed by the index
+// of the chunk as a 4 byte big-endian integer, followed by a byte that is 1 for the last
+// chunk and 0 for every other chunk. This way, chunks can't be reordered, dropped, or
+// moved between streams, and a truncated stream can't pass for a complete one.
+
+var _Crypto_aesGcmChunkSize = 65536;
+var _Crypto_aesGcmTagSize = 16;
+var _Crypto_aesGcmNoncePrefixSize = 7;
+
+var _Crypto_aesGcmEncryptionTransformation = function (key) {
+  return __Scheduler_binding(function (callback) {
+    var noncePrefix = _Crypto_impl.getRandomValues(
+      new Uint8Array(_Crypto_aesGcmNoncePrefixSize),
+    );
+    return callback(
+      __Scheduler_succeed(
+        _Crypto_constructAesGcmTransformation(key, noncePrefix),
+      ),
+    );
+  });
+};
+
+var _Crypto_aesGcmDecryptionTransformation = function (key) {
+  return __Scheduler_binding(function (callback) {
+    return callback(
+      __Scheduler_succeed(_Crypto_constructAesGcmTransformation(key, null)),
+    );
+  });
+};
+
+// When decrypting, the nonce prefix is null until it has been read from the stream.
+var _Crypto_constructAesGcmTransformation = function (key, noncePrefix) {
+  var decrypting = noncePrefix === null;
+  var segmentSize = decrypting
+    ? _Crypto_aesGcmChunkSize + _Crypto_aesGcmTagSize
+    : _Crypto_aesGcmChunkSize;
+  // Incoming chunks are kept as they are, and only copied once a whole segment is available
+  var buffered = [];
+  var bufferedLength = 0;
+  var index = 0;
+
+  // Removes the first `length` bytes from the buffered chunks, and copies them into a new buffer
+  var takeBuffered = function (length) {
+    var taken = new Uint8Array(length);
+    var offset = 0;
+    var i = 0;
+    while (offset < length) {
+      var part = buffered[i].subarray(0, length - offset);
+      taken.set(part, offset);
+      offset += part.length;
+      if (part.length === buffered[i].length) {
+        i++;
+      } else {
+        buffered[i] = buffered[i].subarray(part.length);
+      }
+    }
+
+    buffered = buffered.slice(i);
+    bufferedLength -= length;
+    return taken;
+  };
+
+  var processSegment = function (segment, isLast, controller) {
+    if (index > 0xffffffff) {
+      return Promise.reject("AES-GCM stream is too long");
+    }
+
+    var nonce = new Uint8Array(12);
+    nonce.set(noncePrefix);
+    new DataView(nonce.buffer).setUint32(_Crypto_aesGcmNoncePrefixSize, index);
+    nonce[11] = isLast ? 1 : 0;
+
+    var segmentIndex = index;
+    index++;
+
+    var algorithm = { name: "AES-GCM", iv: nonce };
+    var operation = decrypting
+      ? _Crypto_impl.subtle.decrypt(algorithm, key, segment)
+      : _Crypto_impl.subtle.encrypt(algorithm, key, segment);
+
+    return operation.then(
+      function (result) {
+        controller.enqueue(new Uint8Array(result));
+      },
+      function () {
+        throw decrypting
+          ? "AES-GCM stream decryption failed: chunk " +
+              segmentIndex +
+              " could not be authenticated"
+          : "AES-GCM stream encryption failed";
+      },
+    );
+  };
+
+  return new TransformStream({
+    start(controller) {
+      if (!decrypting) {
+        controller.enqueue(noncePrefix.slice());
+      }
+    },
+    transform(chunk, controller) {
+      if (chunk instanceof DataView) {
+        chunk = new Uint8Array(
+          chunk.buffer,
+          chunk.byteOffset,
+          chunk.byteLength,
+        );
+      }
+
+      buffered.push(chunk);
+      bufferedLength += chunk.length;
+
+      if (noncePrefix === null) {
+        if (bufferedLength < _Crypto_aesGcmNoncePrefixSize) {
+          return;
+        }
+        noncePrefix = takeBuffered(_Crypto_aesGcmNoncePrefixSize);
+      }
+
+      // The last segment is only known once the stream closes, so a full segment is held
+      // back until more bytes arrive after it.
+      var work = Promise.resolve();
+      while (bufferedLength > segmentSize) {
+        work = work.then(
+          processSegment.bind(
+            null,
+            takeBuffered(segmentSize),
+            false,
+            controller,
+          ),
+        );
+      }
+
+      return work;
+    },
+    flush(controller) {
+      if (
+        decrypting &&
+        (noncePrefix === null || bufferedLength < _Crypto_aesGcmTagSize)
+      ) {
+        return Promise.reject(
+          "AES-GCM stream decryption failed: the stream is truncated",
+        );
+      }
+
+      return processSegment(takeBuffered(bufferedLength), true, controller);
+    },
+  });
+};
+
 // Signing
 
 var _Crypto_signWithRsaSsaPkcs1V1_5 = F2(function (key, bytes) {
@@ -651,6 +1187,22 @@ var _Crypto_signWithEcdsa = F3(function (hash, key, bytes) {
   });
 });
 
+var _Crypto_signWithEd25519 = F2(function (key, bytes) {
+  return __Scheduler_binding(function (callback) {
+    var algorithm = {
+      name: "Ed25519",
+    };
+    _Crypto_impl.subtle
+      .sign(algorithm, key, bytes)
+      .then(function (res) {
+        return callback(__Scheduler_succeed(new DataView(res)));
+      })
+      .catch(function (err) {
+        throw "There was an unforseen error that occured when attempting to sign using the Ed25519 algorithm. This shouldn't happen! Please file a ticket in the `gren-lang/core` Github repo (https://github.com/gren-lang/core)";
+      });
+  });
+});
+
 var _Crypto_signWithHmac = F2(function (key, bytes) {
   return __Scheduler_binding(function (callback) {
     var algorithm = {
@@ -667,6 +1219,38 @@ var _Crypto_signWithHmac = F2(function (key, bytes) {
   });
 });
 
+// One-time passwords commonly use HMAC with SHA-1, which `Crypto.DigestAlgorithm` doesn't
+// include, so the key is imported with the passed hash name right before signing.
+var _Crypto_signWithRawHmacKey = F3(function (hash, keyData, bytes) {
+  return __Scheduler_binding(function (callback) {
+    var algorithm = {
+      name: "HMAC",
+      hash: hash,
+    };
+    _Crypto_impl.subtle
+      .importKey(
+        "raw",
+        new Uint8Array(keyData.buffer, keyData.byteOffset, keyData.byteLength),
+        algorithm,
+        false,
+        ["sign"],
+      )
+      .then(function (key) {
+        return _Crypto_impl.subtle.sign(
+          algorithm,
+          key,
+          new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+        );
+      })
+      .then(function (res) {
+        return callback(__Scheduler_succeed(new DataView(res)));
+      })
+      .catch(function (err) {
+        throw "There was an unforseen error that occured when attempting to sign with the HMAC algorithm. This shouldn't happen! Please file a ticket in the `gren-lang/core` Github repo (https://github.com/gren-lang/core)";
+      });
+  });
+});
+
 // Verify
 
 var _Crypto_verifyWithRsaSsaPkcs1V1_5 = F3(function (key, signature, bytes) {
@@ -728,6 +1312,25 @@ var _Crypto_verifyWithEcdsa = F4(function (hash, key, signature, bytes) {
   });
 });
 
+var _Crypto_verifyWithEd25519 = F3(function (key, signature, bytes) {
+  return __Scheduler_binding(function (callback) {
+    var algorithm = {
+      name: "Ed25519",
+    };
+    _Crypto_impl.subtle
+      .verify(algorithm, key, signature, bytes)
+      .then(function (res) {
+        if (res) {
+          return callback(__Scheduler_succeed(bytes));
+        }
+        return callback(__Scheduler_fail());
+      })
+      .catch(function (err) {
+        throw "There was an unforseen error that occured when attempting to verify with the Ed25519 algorithm. This shouldn't happen! Please file a ticket in the `gren-lang/core` Github repo (https://github.com/gren-lang/core)";
+      });
+  });
+});
+
 var _Crypto_verifyWithHmac = F3(function (key, signature, bytes) {
   return __Scheduler_binding(function (callback) {
     var algorithm = {
@@ -761,3 +1364,92 @@ var _Crypto_digest = F2(function (algorithm, bytes) {
       });
   });
 });
+
+// Incremental hashing
+//
+// The Web Crypto API can only digest data that is entirely in memory, so this relies on
+// the incremental hashes of node's `crypto` module, and fails on other platforms.
+
+var _Crypto_digestTransformation = function (algorithm) {
+  return __Scheduler_binding(function (callback) {
+    if (typeof _Crypto_impl.createHash !== "function") {
+      return callback(
+        __Scheduler_fail(__Crypto_IncrementalHashingNotSupported),
+      );
+    }
+    var hash = _Crypto_impl.createHash(_Crypto_nodeHashName(algorithm));
+    return callback(
+      __Scheduler_succeed(_Crypto_constructDigestTransformation(hash)),
+    );
+  });
+};
+
+var _Crypto_hmacTransformation = function (key) {
+  return __Scheduler_binding(function (callback) {
+    if (typeof _Crypto_impl.createHmac !== "function") {
+      return callback(
+        __Scheduler_fail(__Crypto_IncrementalHashingNotSupported),
+      );
+    }
+    var hmac = _Crypto_impl.createHmac(
+      _Crypto_nodeHashName(key.algorithm.hash.name),
+      _Crypto_impl.KeyObject.from(key),
+    );
+    return callback(
+      __Scheduler_succeed(_Crypto_constructDigestTransformation(hmac)),
+    );
+  });
+};
+
+var _Crypto_constructDigestTransformation = function (hash) {
+  var result = null;
+  var waiting = [];
+  var finish = function (task) {
+    result = task;
+    for (var i = 0; i < waiting.length; i++) {
+      waiting[i](task);
+    }
+    waiting = [];
+  };
+  var transformStream = new TransformStream({
+    transform(chunk, controller) {
+      if (chunk instanceof DataView) {
+        chunk = new Uint8Array(
+          chunk.buffer,
+          chunk.byteOffset,
+          chunk.byteLength,
+        );
+      }
+      hash.update(chunk);
+      controller.enqueue(chunk);
+    },
+    flush() {
+      var digest = hash.digest();
+      finish(
+        __Scheduler_succeed(
+          new DataView(digest.buffer, digest.byteOffset, digest.byteLength),
+        ),
+      );
+    },
+    cancel(reason) {
+      finish(
+        __Scheduler_fail(
+          __Stream_Cancelled(__Stream_cancellationErrorString(reason)),
+        ),
+      );
+    },
+  });
+  return {
+    __$transformation: transformStream,
+    __$digest: __Scheduler_binding(function (callback) {
+      if (result !== null) {
+        return callback(result);
+      }
+      waiting.push(callback);
+    }),
+  };
+};
+
+var _Crypto_nodeHashName = function (algorithm) {
+  return algorithm.replace("-", "").toLowerCase();
+};
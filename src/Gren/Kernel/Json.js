@@ -1,6 +1,6 @@
 /*
 
-import Json.Decode as Json exposing (Field, Index, OneOf, Failure, errorToString)
+import Json.Decode as Json exposing (Field, Index, OneOf, Multiple, Failure, errorToString)
 import Maybe exposing (Just, Nothing)
 import Result exposing (Ok, Err, isOk)
 
@@ -158,9 +158,17 @@ var _Json_map8 = F9(function (f, d1, d2, d3, d4, d5, d6, d7, d8) {
 // DECODE
 
 var _Json_runOnString = F2(function (decoder, string) {
+  return _Json_runOnStringHelp(decoder, string, false);
+});
+
+var _Json_runOnStringWithAllErrors = F2(function (decoder, string) {
+  return _Json_runOnStringHelp(decoder, string, true);
+});
+
+function _Json_runOnStringHelp(decoder, string, allErrors) {
   try {
     var value = JSON.parse(string);
-    return _Json_runHelp(decoder, value);
+    return _Json_runHelp(decoder, value, allErrors);
   } catch (e) {
     return __Result_Err(
       __Json_Failure({
@@ -169,13 +177,19 @@ var _Json_runOnString = F2(function (decoder, string) {
       }),
     );
   }
-});
+}
 
 var _Json_run = F2(function (decoder, value) {
-  return _Json_runHelp(decoder, _Json_unwrap(value));
+  return _Json_runHelp(decoder, _Json_unwrap(value), false);
 });
 
-function _Json_runHelp(decoder, value) {
+var _Json_runWithAllErrors = F2(function (decoder, value) {
+  return _Json_runHelp(decoder, _Json_unwrap(value), true);
+});
+
+// When `allErrors` is set, decoders that combine several values keep going after
+// a failure, and report every failure at once.
+function _Json_runHelp(decoder, value, allErrors) {
   switch (decoder.$) {
     case __1_PRIM:
       return decoder.__decoder(value);
@@ -189,7 +203,7 @@ function _Json_runHelp(decoder, value) {
       if (!_Json_isArray(value)) {
         return _Json_expecting("an ARRAY", value);
       }
-      return _Json_runArrayDecoder(decoder.__decoder, value);
+      return _Json_runArrayDecoder(decoder.__decoder, value, allErrors);
 
     case __1_FIELD:
       var field = decoder.__field;
@@ -199,7 +213,7 @@ function _Json_runHelp(decoder, value) {
           value,
         );
       }
-      var result = _Json_runHelp(decoder.__decoder, value[field]);
+      var result = _Json_runHelp(decoder.__decoder, value[field], allErrors);
       return __Result_isOk(result)
         ? result
         : __Result_Err(__Json_Field({ __$name: field, __$error: result.a }));
@@ -219,7 +233,7 @@ function _Json_runHelp(decoder, value) {
           value,
         );
       }
-      var result = _Json_runHelp(decoder.__decoder, value[index]);
+      var result = _Json_runHelp(decoder.__decoder, value[index], allErrors);
       return __Result_isOk(result)
         ? result
         : __Result_Err(__Json_Index({ __$index: index, __$error: result.a }));
@@ -230,43 +244,57 @@ function _Json_runHelp(decoder, value) {
       }
 
       var keyValuePairs = [];
+      var errors = [];
       for (var key in value) {
         if (value.hasOwnProperty(key)) {
-          var result = _Json_runHelp(decoder.__decoder, value[key]);
+          var result = _Json_runHelp(decoder.__decoder, value[key], allErrors);
           if (!__Result_isOk(result)) {
-            return __Result_Err(
-              __Json_Field({ __$name: key, __$error: result.a }),
-            );
+            var error = __Json_Field({ __$name: key, __$error: result.a });
+            if (!allErrors) {
+              return __Result_Err(error);
+            }
+            errors.push(error);
+            continue;
           }
           keyValuePairs.push({ __$key: key, __$value: result.a });
         }
       }
-      return __Result_Ok(keyValuePairs);
+      return errors.length > 0
+        ? _Json_multipleErrors(errors)
+        : __Result_Ok(keyValuePairs);
 
     case __1_MAP:
       var answer = decoder.__func;
       var decoders = decoder.__decoders;
+      var errors = [];
       for (var i = 0; i < decoders.length; i++) {
-        var result = _Json_runHelp(decoders[i], value);
+        var result = _Json_runHelp(decoders[i], value, allErrors);
         if (!__Result_isOk(result)) {
-          return result;
+          if (!allErrors) {
+            return result;
+          }
+
+          errors.push(result.a);
+        } else if (errors.length === 0) {
+          answer = answer(result.a);
         }
-        answer = answer(result.a);
       }
-      return __Result_Ok(answer);
+      return errors.length > 0
+        ? _Json_multipleErrors(errors)
+        : __Result_Ok(answer);
 
     case __1_AND_THEN:
-      var result = _Json_runHelp(decoder.__decoder, value);
+      var result = _Json_runHelp(decoder.__decoder, value, allErrors);
       return !__Result_isOk(result)
         ? result
-        : _Json_runHelp(decoder.__callback(result.a), value);
+        : _Json_runHelp(decoder.__callback(result.a), value, allErrors);
 
     case __1_ONE_OF:
       var errors = [];
 
       var decoders = decoder.__decoders;
       for (var idx = 0; idx < decoders.length; idx++) {
-        var result = _Json_runHelp(decoders[idx], value);
+        var result = _Json_runHelp(decoders[idx], value, allErrors);
         if (__Result_isOk(result)) {
           return result;
         }
@@ -288,17 +316,29 @@ function _Json_runHelp(decoder, value) {
   }
 }
 
-function _Json_runArrayDecoder(decoder, value) {
+function _Json_runArrayDecoder(decoder, value, allErrors) {
   var len = value.length;
   var array = new Array(len);
+  var errors = [];
   for (var i = 0; i < len; i++) {
-    var result = _Json_runHelp(decoder, value[i]);
+    var result = _Json_runHelp(decoder, value[i], allErrors);
     if (!__Result_isOk(result)) {
-      return __Result_Err(__Json_Index({ __$index: i, __$error: result.a }));
+      var error = __Json_Index({ __$index: i, __$error: result.a });
+      if (!allErrors) {
+        return __Result_Err(error);
+      }
+      errors.push(error);
+      continue;
     }
     array[i] = result.a;
   }
-  return __Result_Ok(array);
+  return errors.length > 0 ? _Json_multipleErrors(errors) : __Result_Ok(array);
+}
+
+function _Json_multipleErrors(errors) {
+  return __Result_Err(
+    errors.length === 1 ? errors[0] : __Json_Multiple(errors),
+  );
 }
 
 function _Json_isArray(value) {
@@ -388,6 +428,89 @@ var _Json_encode = F2(function (indentLevel, value) {
   return JSON.stringify(_Json_unwrap(value), null, indentLevel) + "";
 });
 
+var _Json_encodeWith = F2(function (options, value) {
+  var indent = " ".repeat(Math.min(10, Math.max(0, options.__$indent)));
+  var json = _Json_serialize(
+    _Json_unwrap(value),
+    options.__$sortKeys,
+    indent,
+    "",
+  );
+
+  if (json === undefined) {
+    // Same as JSON.stringify, for values that aren't JSON
+    return "undefined";
+  }
+
+  if (options.__$escapeNonAscii) {
+    json = json.replace(/[\u0080-\uffff]/g, function (char) {
+      return "\\u" + char.charCodeAt(0).toString(16).padStart(4, "0");
+    });
+  }
+
+  return json;
+});
+
+// Unlike JSON.stringify, this can output object keys in sorted order. JavaScript
+// objects always list keys that look like array indices first, so re-creating
+// an object with sorted keys isn't enough.
+function _Json_serialize(value, sortKeys, indent, currentIndent) {
+  if (typeof value !== "object" || value === null) {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value.toJSON === "function") {
+    return JSON.stringify(value);
+  }
+
+  var innerIndent = currentIndent + indent;
+  var parts = [];
+
+  if (Array.isArray(value)) {
+    for (var i = 0; i < value.length; i++) {
+      var part = _Json_serialize(value[i], sortKeys, indent, innerIndent);
+      parts.push(part === undefined ? "null" : part);
+    }
+
+    return _Json_serializeParts("[", parts, "]", indent, currentIndent);
+  }
+
+  var keys = Object.keys(value);
+  if (sortKeys) {
+    keys.sort();
+  }
+
+  for (var i = 0; i < keys.length; i++) {
+    var part = _Json_serialize(value[keys[i]], sortKeys, indent, innerIndent);
+    if (part !== undefined) {
+      parts.push(JSON.stringify(keys[i]) + (indent ? ": " : ":") + part);
+    }
+  }
+
+  return _Json_serializeParts("{", parts, "}", indent, currentIndent);
+}
+
+function _Json_serializeParts(open, parts, close, indent, currentIndent) {
+  if (parts.length === 0) {
+    return open + close;
+  }
+
+  if (!indent) {
+    return open + parts.join(",") + close;
+  }
+
+  var innerIndent = currentIndent + indent;
+  return (
+    open +
+    "\n" +
+    innerIndent +
+    parts.join(",\n" + innerIndent) +
+    "\n" +
+    currentIndent +
+    close
+  );
+}
+
 function _Json_wrap__DEBUG(value) {
   return { $: __0_JSON, a: value };
 }
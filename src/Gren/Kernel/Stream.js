@@ -1,21 +1,56 @@
 /*
 
-import Stream exposing (Locked, Closed, Cancelled)
-import Gren.Kernel.Scheduler exposing (binding, succeed, fail, rawSpawn)
+import Stream exposing (Locked, Closed, Cancelled, TimedOut)
+import Gren.Kernel.Scheduler exposing (binding, succeed, fail, andThen, onError, rawSpawn, rawKill)
+import Gren.Kernel.Bytes exposing (toBase64, toBase64Url)
 
 */
 
 var _Stream_read = function (stream) {
+  return _Stream_readHelper(stream, null);
+};
+
+var _Stream_readWithTimeout = F2(function (timeout, stream) {
+  return _Stream_readHelper(stream, timeout);
+});
+
+// Releasing the lock rejects a pending read, without cancelling the stream. Whichever
+// happens first of the read settling, the timeout, or the process being killed,
+// settles the operation. Anything that happens after that is ignored.
+var _Stream_readHelper = function (stream, timeout) {
   return __Scheduler_binding(function (callback) {
     if (stream.locked) {
       return callback(__Scheduler_fail(__Stream_Locked));
     }
 
     const reader = stream.getReader();
+    let settled = false;
+    let timer = null;
+    const settle = () => {
+      if (settled) {
+        return false;
+      }
+
+      settled = true;
+      clearTimeout(timer);
+      reader.releaseLock();
+      return true;
+    };
+
+    if (timeout !== null) {
+      timer = setTimeout(() => {
+        if (settle()) {
+          callback(__Scheduler_fail(__Stream_TimedOut));
+        }
+      }, timeout);
+    }
+
     reader
       .read()
       .then(({ done, value }) => {
-        reader.releaseLock();
+        if (!settle()) {
+          return;
+        }
 
         if (done) {
           return callback(__Scheduler_fail(__Stream_Closed));
@@ -32,13 +67,18 @@ var _Stream_read = function (stream) {
         callback(__Scheduler_succeed(value));
       })
       .catch((err) => {
-        reader.releaseLock();
+        if (!settle()) {
+          return;
+        }
+
         callback(
           __Scheduler_fail(
             __Stream_Cancelled(_Stream_cancellationErrorString(err)),
           ),
         );
       });
+
+    return settle;
   });
 };
 
@@ -55,6 +95,16 @@ var _Stream_cancellationErrorString = function (err) {
 };
 
 var _Stream_write = F2(function (value, stream) {
+  return _Stream_writeHelper(value, stream, null);
+});
+
+var _Stream_writeWithTimeout = F3(function (timeout, value, stream) {
+  return _Stream_writeHelper(value, stream, timeout);
+});
+
+// The lock is only held until the value has been handed to the stream. If the
+// operation times out or is killed after that, the value may still be written.
+var _Stream_writeHelper = function (value, stream, timeout) {
   return __Scheduler_binding(function (callback) {
     if (stream.locked) {
       return callback(__Scheduler_fail(__Stream_Locked));
@@ -65,24 +115,63 @@ var _Stream_write = F2(function (value, stream) {
     }
 
     const writer = stream.getWriter();
+    let hasLock = true;
+    const releaseLock = () => {
+      if (hasLock) {
+        hasLock = false;
+        writer.releaseLock();
+      }
+    };
+
+    let settled = false;
+    let timer = null;
+    const settle = () => {
+      if (settled) {
+        return false;
+      }
+
+      settled = true;
+      clearTimeout(timer);
+      releaseLock();
+      return true;
+    };
+
+    if (timeout !== null) {
+      timer = setTimeout(() => {
+        if (settle()) {
+          callback(__Scheduler_fail(__Stream_TimedOut));
+        }
+      }, timeout);
+    }
+
     writer.ready
       .then(() => {
+        if (settled) {
+          return;
+        }
+
         const writePromise = writer.write(value);
-        writer.releaseLock();
+        releaseLock();
         return writePromise;
       })
       .then(() => {
-        callback(__Scheduler_succeed(stream));
+        if (settle()) {
+          callback(__Scheduler_succeed(stream));
+        }
       })
       .catch((err) => {
-        callback(
-          __Scheduler_fail(
-            __Stream_Cancelled(_Stream_cancellationErrorString(err)),
-          ),
-        );
+        if (settle()) {
+          callback(
+            __Scheduler_fail(
+              __Stream_Cancelled(_Stream_cancellationErrorString(err)),
+            ),
+          );
+        }
       });
+
+    return settle;
   });
-});
+};
 
 var _Stream_enqueue = F2(function (value, stream) {
   return __Scheduler_binding(function (callback) {
@@ -154,26 +243,268 @@ var _Stream_pipeThrough = F2(function (transformer, readable) {
 });
 
 var _Stream_pipeTo = F2(function (writable, readable) {
+  return _Stream_pipeToHelper(writable, readable, null);
+});
+
+var _Stream_pipeToWithTimeout = F3(function (timeout, writable, readable) {
+  return _Stream_pipeToHelper(writable, readable, timeout);
+});
+
+// Aborting a pipe cancels the readable stream and aborts the writable stream, with
+// the passed reason. The pipe settles once that is done, and the locks are released.
+var _Stream_pipeToHelper = function (writable, readable, timeout) {
   return __Scheduler_binding(function (callback) {
     if (readable.locked || writable.locked) {
       return callback(__Scheduler_fail(__Stream_Locked));
     }
 
+    const abortController = new AbortController();
+    let killed = false;
+    let timedOut = false;
+    let timer = null;
+
+    if (timeout !== null) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        abortController.abort("Timed out");
+      }, timeout);
+    }
+
     readable
-      .pipeTo(writable)
+      .pipeTo(writable, { signal: abortController.signal })
       .then(() => {
-        callback(__Scheduler_succeed({}));
+        clearTimeout(timer);
+        if (!killed) {
+          callback(__Scheduler_succeed({}));
+        }
       })
       .catch((err) => {
+        clearTimeout(timer);
+        if (killed) {
+          return;
+        }
+
+        if (timedOut) {
+          return callback(__Scheduler_fail(__Stream_TimedOut));
+        }
+
         callback(
           __Scheduler_fail(
             __Stream_Cancelled(_Stream_cancellationErrorString(err)),
           ),
         );
       });
+
+    return () => {
+      killed = true;
+      clearTimeout(timer);
+      abortController.abort("The pipe was stopped");
+    };
+  });
+};
+
+// The step is only run when the stream is read from, and the process running it is
+// killed if the stream is cancelled in the meantime. The step resolves to an empty
+// array once there are no more values, and fails with the cancellation reason.
+var _Stream_unfold = F2(function (step, initialState) {
+  return __Scheduler_binding(function (callback) {
+    let state = initialState;
+    let process = null;
+
+    const stream = new ReadableStream(
+      {
+        pull(controller) {
+          return new Promise((resolve, reject) => {
+            const onSuccess = (next) => {
+              process = null;
+
+              if (next.length === 0) {
+                controller.close();
+              } else {
+                state = next[0].__$state;
+
+                let value = next[0].__$value;
+                if (value instanceof DataView) {
+                  value = new Uint8Array(
+                    value.buffer,
+                    value.byteOffset,
+                    value.byteLength,
+                  );
+                }
+
+                controller.enqueue(value);
+              }
+
+              resolve();
+              return __Scheduler_succeed({});
+            };
+
+            const onError = (reason) => {
+              process = null;
+              reject(reason);
+              return __Scheduler_succeed({});
+            };
+
+            process = __Scheduler_rawSpawn(
+              A2(
+                __Scheduler_onError,
+                onError,
+                A2(__Scheduler_andThen, onSuccess, step(state)),
+              ),
+            );
+          });
+        },
+        cancel() {
+          if (process !== null) {
+            __Scheduler_rawKill(process);
+            process = null;
+          }
+        },
+      },
+      new CountQueuingStrategy({ highWaterMark: 0 }),
+    );
+
+    return callback(__Scheduler_succeed(stream));
   });
 });
 
+var _Stream_anyLocked = function (streams) {
+  return streams.some((stream) => stream.locked);
+};
+
+var _Stream_concat = function (streams) {
+  return __Scheduler_binding(function (callback) {
+    if (_Stream_anyLocked(streams)) {
+      return callback(__Scheduler_fail(__Stream_Locked));
+    }
+
+    const readers = streams.map((stream) => stream.getReader());
+    let index = 0;
+
+    const concatenated = new ReadableStream({
+      pull(controller) {
+        const readNext = () => {
+          if (index >= readers.length) {
+            controller.close();
+            return;
+          }
+
+          return readers[index].read().then(({ done, value }) => {
+            if (done) {
+              index++;
+              return readNext();
+            }
+
+            controller.enqueue(value);
+          });
+        };
+
+        return readNext().catch((err) => {
+          _Stream_cancelReaders(readers.slice(index + 1), err);
+          throw err;
+        });
+      },
+      cancel(reason) {
+        return _Stream_cancelReaders(readers.slice(index), reason);
+      },
+    });
+
+    return callback(__Scheduler_succeed(concatenated));
+  });
+};
+
+var _Stream_merge = function (streams) {
+  return __Scheduler_binding(function (callback) {
+    if (_Stream_anyLocked(streams)) {
+      return callback(__Scheduler_fail(__Stream_Locked));
+    }
+
+    // A reader is replaced with null once it's done. A read that loses a race stays
+    // pending, so that its value can be passed on by the next pull.
+    const readers = streams.map((stream) => stream.getReader());
+    const pendingReads = readers.map(() => null);
+    const activeReaders = () => readers.filter((reader) => reader !== null);
+
+    const merged = new ReadableStream({
+      pull(controller) {
+        const readFirst = () => {
+          if (activeReaders().length === 0) {
+            controller.close();
+            return;
+          }
+
+          const candidates = [];
+          readers.forEach((reader, i) => {
+            if (reader === null) {
+              return;
+            }
+
+            if (pendingReads[i] === null) {
+              pendingReads[i] = reader
+                .read()
+                .then((result) => ({ index: i, result: result }));
+            }
+
+            candidates.push(pendingReads[i]);
+          });
+
+          return Promise.race(candidates).then(({ index, result }) => {
+            pendingReads[index] = null;
+
+            if (result.done) {
+              readers[index] = null;
+              return readFirst();
+            }
+
+            controller.enqueue(result.value);
+          });
+        };
+
+        return readFirst().catch((err) => {
+          _Stream_cancelReaders(activeReaders(), err);
+          throw err;
+        });
+      },
+      cancel(reason) {
+        return _Stream_cancelReaders(activeReaders(), reason);
+      },
+    });
+
+    return callback(__Scheduler_succeed(merged));
+  });
+};
+
+var _Stream_cancelReaders = function (readers, reason) {
+  return Promise.all(
+    readers.map((reader) => reader.cancel(reason).catch(() => {})),
+  );
+};
+
+var _Stream_tee = function (stream) {
+  return __Scheduler_binding(function (callback) {
+    if (stream.locked) {
+      return callback(__Scheduler_fail(__Stream_Locked));
+    }
+
+    const [first, second] = stream.tee();
+    return callback(
+      __Scheduler_succeed({
+        __$first: first,
+        __$second: second,
+      }),
+    );
+  });
+};
+
+// Combines two transformations into one. The result is not a TransformStream, but the
+// readable-writable pair is all that `pipeThrough` needs.
+var _Stream_chain = F2(function (first, second) {
+  return {
+    writable: first.writable,
+    readable: first.readable.pipeThrough(second),
+  };
+});
+
 var _Stream_identityTransformation = F2(function (readCapacity, writeCapacity) {
   return __Scheduler_binding(function (callback) {
     const transformStream = new TransformStream(
@@ -278,3 +609,534 @@ var _Stream_decompressor = function (algo) {
     return callback(__Scheduler_succeed(new DecompressionStream(algo)));
   });
 };
+
+// Binary-to-text codecs
+
+var _Stream_base64Encoder = function (isUrl) {
+  return __Scheduler_binding(function (callback) {
+    // Bytes that don't make up a complete group of three yet
+    let remainder = new Uint8Array(0);
+    const encode = (bytes) => {
+      const view = new DataView(
+        bytes.buffer,
+        bytes.byteOffset,
+        bytes.byteLength,
+      );
+      return isUrl ? __Bytes_toBase64Url(view) : __Bytes_toBase64(view);
+    };
+
+    const transformStream = new TransformStream({
+      transform(chunk, controller) {
+        const bytes = _Stream_concatBytes(remainder, chunk);
+        const completeLength = bytes.length - (bytes.length % 3);
+        remainder = bytes.slice(completeLength);
+
+        if (completeLength > 0) {
+          controller.enqueue(encode(bytes.subarray(0, completeLength)));
+        }
+      },
+      flush(controller) {
+        if (remainder.length > 0) {
+          controller.enqueue(encode(remainder));
+        }
+      },
+    });
+
+    return callback(__Scheduler_succeed(transformStream));
+  });
+};
+
+var _Stream_base64Decoder = function (isUrl) {
+  return __Scheduler_binding(function (callback) {
+    const name = isUrl ? "base64url" : "base64";
+    const alphabet = isUrl ? /^[A-Za-z0-9_-]$/ : /^[A-Za-z0-9+/]$/;
+    // Characters that don't make up a complete group of four yet
+    let group = "";
+    let padding = 0;
+    let ended = false;
+    let offset = 0;
+
+    const decode = (text) => {
+      const binary = atob(
+        isUrl ? text.replace(/-/g, "+").replace(/_/g, "/") : text,
+      );
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+
+      return bytes;
+    };
+
+    const transformStream = new TransformStream({
+      transform(chunk, controller) {
+        let decodable = "";
+
+        for (const char of chunk) {
+          const position = offset++;
+          if (/^\s$/.test(char)) {
+            continue;
+          }
+
+          if (ended || padding > 0) {
+            if (char === "=" && !ended) {
+              padding++;
+            } else {
+              controller.error(
+                `Unexpected character '${char}' after the padding of the ${name} text, at offset ${position}`,
+              );
+              return;
+            }
+          } else if (alphabet.test(char)) {
+            group += char;
+          } else if (char === "=" && !isUrl && group.length >= 2) {
+            padding++;
+          } else {
+            controller.error(
+              `Invalid character '${char}' in the ${name} text, at offset ${position}`,
+            );
+            return;
+          }
+
+          if (group.length + padding === 4) {
+            decodable += group + "=".repeat(padding);
+            ended = padding > 0;
+            group = "";
+            padding = 0;
+          }
+        }
+
+        if (decodable !== "") {
+          controller.enqueue(decode(decodable));
+        }
+      },
+      flush(controller) {
+        if (group.length === 0 && padding === 0) {
+          return;
+        }
+
+        if (isUrl && group.length > 1) {
+          controller.enqueue(decode(group));
+        } else {
+          controller.error(
+            `The ${name} text ended in the middle of a group of four characters`,
+          );
+        }
+      },
+    });
+
+    return callback(__Scheduler_succeed(transformStream));
+  });
+};
+
+var _Stream_hexEncoder = __Scheduler_binding(function (callback) {
+  const transformStream = new TransformStream({
+    transform(chunk, controller) {
+      let hex = "";
+      for (let i = 0; i < chunk.length; i++) {
+        hex += chunk[i].toString(16).padStart(2, "0");
+      }
+
+      if (hex !== "") {
+        controller.enqueue(hex);
+      }
+    },
+  });
+
+  return callback(__Scheduler_succeed(transformStream));
+});
+
+var _Stream_hexDecoder = __Scheduler_binding(function (callback) {
+  // A digit that doesn't make up a complete byte yet
+  let pending = "";
+  let offset = 0;
+
+  const transformStream = new TransformStream({
+    transform(chunk, controller) {
+      const text = pending + chunk;
+      const invalid = text.search(/[^0-9a-fA-F]/);
+      if (invalid !== -1) {
+        controller.error(
+          `Invalid character '${text[invalid]}' in the hex text, at offset ${offset - pending.length + invalid}`,
+        );
+        return;
+      }
+
+      const bytes = new Uint8Array(Math.floor(text.length / 2));
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(text.substr(i * 2, 2), 16);
+      }
+
+      offset += chunk.length;
+      pending = text.slice(bytes.length * 2);
+
+      if (bytes.length > 0) {
+        controller.enqueue(bytes);
+      }
+    },
+    flush(controller) {
+      if (pending !== "") {
+        controller.error("The hex text ended in the middle of a byte");
+      }
+    },
+  });
+
+  return callback(__Scheduler_succeed(transformStream));
+});
+
+// Framing
+//
+// Parts that are split off are always copied into a new buffer, so that the `Bytes` read
+// from the stream don't keep the rest of the buffered chunk around.
+
+var _Stream_stringSplitter = F2(function (delimiter, trimCarriageReturn) {
+  return __Scheduler_binding(function (callback) {
+    // Chunks of the current part, which are only joined once the part is complete
+    let buffered = [];
+    // The end of the buffered chunks that could be the start of a delimiter
+    let overlap = "";
+    const enqueue = (controller, part) => {
+      if (trimCarriageReturn && part.endsWith("\r")) {
+        part = part.slice(0, -1);
+      }
+
+      controller.enqueue(part);
+    };
+
+    const transformStream = new TransformStream({
+      transform(chunk, controller) {
+        // Only the new chunk is searched, so a long part arriving in many small
+        // chunks isn't scanned over and over again
+        const text = overlap + chunk;
+        let index = text.indexOf(delimiter);
+        let rest = text;
+        if (index === -1) {
+          buffered.push(chunk);
+        } else {
+          const previous = buffered.join("");
+          enqueue(
+            controller,
+            previous.slice(0, previous.length - overlap.length) +
+              text.slice(0, index),
+          );
+
+          let start = index + delimiter.length;
+          while ((index = text.indexOf(delimiter, start)) !== -1) {
+            enqueue(controller, text.slice(start, index));
+            start = index + delimiter.length;
+          }
+
+          rest = text.slice(start);
+          buffered = [rest];
+        }
+
+        overlap = rest.slice(Math.max(0, rest.length - (delimiter.length - 1)));
+      },
+      flush(controller) {
+        const rest = buffered.join("");
+        if (rest !== "") {
+          enqueue(controller, rest);
+        }
+      },
+    });
+
+    return callback(__Scheduler_succeed(transformStream));
+  });
+});
+
+var _Stream_bytesSplitter = function (delimiterBytes) {
+  return __Scheduler_binding(function (callback) {
+    const delimiter = new Uint8Array(
+      delimiterBytes.buffer,
+      delimiterBytes.byteOffset,
+      delimiterBytes.byteLength,
+    );
+    // Chunks of the current frame, which are only joined once the frame is complete
+    let buffered = [];
+    let bufferedLength = 0;
+    // The end of the buffered chunks that could be the start of a delimiter
+    let overlap = new Uint8Array(0);
+
+    const transformStream = new TransformStream({
+      transform(chunk, controller) {
+        chunk = _Stream_toUint8Array(chunk);
+        buffered.push(chunk);
+        bufferedLength += chunk.length;
+
+        // Only the new chunk is searched, so a long frame arriving in many small
+        // chunks isn't scanned over and over again
+        const bytes = _Stream_concatBytes(overlap, chunk);
+        // The position of `bytes` within the buffered chunks
+        const bytesOffset = bufferedLength - bytes.length;
+
+        let start = 0;
+        let i = 0;
+        while (i <= bytes.length - delimiter.length) {
+          let matches = true;
+          for (let j = 0; j < delimiter.length; j++) {
+            if (bytes[i + j] !== delimiter[j]) {
+              matches = false;
+              break;
+            }
+          }
+
+          if (!matches) {
+            i++;
+          } else {
+            if (start === 0) {
+              controller.enqueue(_Stream_joinBytes(buffered, bytesOffset + i));
+            } else {
+              controller.enqueue(bytes.slice(start, i));
+            }
+
+            start = i + delimiter.length;
+            i = start;
+          }
+        }
+
+        if (start > 0) {
+          const rest = bytes.subarray(start);
+          buffered = [rest];
+          bufferedLength = rest.length;
+        }
+
+        overlap = bytes.slice(
+          Math.max(start, bytes.length - (delimiter.length - 1)),
+        );
+      },
+      flush(controller) {
+        if (bufferedLength > 0) {
+          controller.enqueue(_Stream_joinBytes(buffered, bufferedLength));
+        }
+      },
+    });
+
+    return callback(__Scheduler_succeed(transformStream));
+  });
+};
+
+var _Stream_lengthPrefixSplitter = F2(function (prefixSize, isLE) {
+  return __Scheduler_binding(function (callback) {
+    // Chunks of the current frame, which are only joined once the frame is complete
+    let buffered = [];
+    let bufferedLength = 0;
+
+    const readFrameLength = (bytes) => {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, prefixSize);
+      return prefixSize === 1
+        ? view.getUint8(0)
+        : prefixSize === 2
+          ? view.getUint16(0, isLE)
+          : view.getUint32(0, isLE);
+    };
+
+    const transformStream = new TransformStream({
+      transform(chunk, controller) {
+        chunk = _Stream_toUint8Array(chunk);
+        buffered.push(chunk);
+        bufferedLength += chunk.length;
+
+        if (
+          bufferedLength < prefixSize ||
+          bufferedLength <
+            prefixSize +
+              readFrameLength(_Stream_joinBytes(buffered, prefixSize))
+        ) {
+          return;
+        }
+
+        const bytes = _Stream_joinBytes(buffered, bufferedLength);
+        let start = 0;
+        while (bytes.length - start >= prefixSize) {
+          const frameLength = readFrameLength(bytes.subarray(start));
+          if (bytes.length - start - prefixSize < frameLength) {
+            break;
+          }
+
+          start += prefixSize;
+          controller.enqueue(bytes.slice(start, start + frameLength));
+          start += frameLength;
+        }
+
+        const rest = bytes.subarray(start);
+        buffered = [rest];
+        bufferedLength = rest.length;
+      },
+      flush(controller) {
+        if (bufferedLength > 0) {
+          controller.error("The stream ended in the middle of a frame");
+        }
+      },
+    });
+
+    return callback(__Scheduler_succeed(transformStream));
+  });
+});
+
+var _Stream_toUint8Array = function (chunk) {
+  if (chunk instanceof DataView) {
+    return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+
+  return chunk;
+};
+
+// Copies the first `length` bytes of the chunks into a new buffer
+var _Stream_joinBytes = function (chunks, length) {
+  const joined = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    if (offset === length) {
+      break;
+    }
+
+    const part = chunk.subarray(0, length - offset);
+    joined.set(part, offset);
+    offset += part.length;
+  }
+
+  return joined;
+};
+
+var _Stream_concatBytes = function (buffered, chunk) {
+  if (chunk instanceof DataView) {
+    chunk = new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+
+  const combined = new Uint8Array(buffered.length + chunk.length);
+  combined.set(buffered);
+  combined.set(chunk, buffered.length);
+  return combined;
+};
+
+// Decoding
+
+var _Stream_bytesDecoder = F2(function (maxSize, decoder) {
+  return __Scheduler_binding(function (callback) {
+    // Unwrap the function that `Bytes.Decode.Decoder` holds
+    const decode = decoder.a;
+    // Chunks are appended to a backing buffer, which is only replaced once it runs out of
+    // room. The bytes between `start` and `end` haven't been decoded yet. Decoded values
+    // can refer to the bytes before `start`, so those are never overwritten.
+    let buffer = new Uint8Array(0);
+    let start = 0;
+    let end = 0;
+    // The position of `buffer` within the entire stream, used in error messages
+    let streamOffset = 0;
+
+    const append = (chunk) => {
+      if (chunk instanceof DataView) {
+        chunk = new Uint8Array(
+          chunk.buffer,
+          chunk.byteOffset,
+          chunk.byteLength,
+        );
+      }
+
+      if (end + chunk.length > buffer.length) {
+        // Leaving at least as much room as is used keeps the copying linear
+        const pending = end - start;
+        const replacement = new Uint8Array(
+          Math.max(1024, 2 * (pending + chunk.length)),
+        );
+        replacement.set(buffer.subarray(start, end));
+        buffer = replacement;
+        streamOffset += start;
+        start = 0;
+        end = pending;
+      }
+
+      buffer.set(chunk, end);
+      end += chunk.length;
+    };
+
+    const transformStream = new TransformStream({
+      transform(chunk, controller) {
+        append(chunk);
+        const view = new DataView(buffer.buffer, 0, end);
+
+        while (start < end) {
+          let result;
+          try {
+            result = _Stream_attemptDecode(decode, view, start);
+          } catch (e) {
+            try {
+              // Decoders that read `Bytes` or strings can read past `end` without
+              // failing, as those bytes are part of the same `ArrayBuffer`. Running the
+              // decoder on an exact copy tells whether it failed because of them.
+              result = _Stream_attemptDecode(
+                decode,
+                new DataView(buffer.buffer.slice(0, end)),
+                start,
+              );
+            } catch (e) {
+              controller.error(
+                "Failed to decode the message at byte offset " +
+                  (streamOffset + start),
+              );
+              return;
+            }
+          }
+
+          if (result === null) {
+            // Not enough bytes yet
+            break;
+          }
+
+          if (result.__$offset === start) {
+            controller.error(
+              "The decoder didn't consume any bytes at byte offset " +
+                (streamOffset + start),
+            );
+            return;
+          }
+
+          let value = result.__$value;
+          if (value instanceof DataView) {
+            value = new Uint8Array(
+              value.buffer,
+              value.byteOffset,
+              value.byteLength,
+            ).slice();
+          }
+
+          controller.enqueue(value);
+          start = result.__$offset;
+        }
+
+        // A decoder that can never succeed would otherwise buffer the rest of the stream
+        if (end - start > maxSize) {
+          controller.error(
+            "The message at byte offset " +
+              (streamOffset + start) +
+              " exceeded the maximum size",
+          );
+        }
+      },
+      flush(controller) {
+        if (end > start) {
+          controller.error(
+            "The stream ended in the middle of the message at byte offset " +
+              (streamOffset + start),
+          );
+        }
+      },
+    });
+
+    return callback(__Scheduler_succeed(transformStream));
+  });
+});
+
+// Runs a decoder, returning `null` if it needs more bytes than the view holds
+var _Stream_attemptDecode = function (decode, view, offset) {
+  try {
+    const result = A2(decode, view, offset);
+    return result.__$offset > view.byteLength ? null : result;
+  } catch (e) {
+    if (e instanceof RangeError) {
+      return null;
+    }
+
+    throw e;
+  }
+};